@@ -0,0 +1,566 @@
+#!/usr/bin/env node
+/**
+ * Fixture server: a local stand-in for YouTube watch pages, used by the
+ * end-to-end tests and for manual runs with --base-url.
+ *
+ *   node fixtures/server.js [port]
+ *   node superthanks.js "https://youtu.be/stFixture01" --base-url http://127.0.0.1:<port> --until-complete
+ *
+ * Every videos/<id>.json is served at /watch?v=<id> and, in the Shorts
+ * player, at /shorts/<id>. The pages behave the way the scanner expects
+ * YouTube to:
+ *  - an optional consent wall ("Accept all") keeps comments from loading
+ *    until it is accepted; accepting sets a SOCS cookie for later visits
+ *  - comment threads load lazily from POST /youtubei/v1/next, one page at a
+ *    time, while the continuation spinner is near the viewport (Shorts: once
+ *    the comments panel is opened, inside the panel)
+ *  - replies open behind "N replies" toggles and paginate with
+ *    "Show more replies"
+ *  - paid comments carry the Super Thanks chip, in the DOM and in the JSON
+ *  - `commentsDisabled` videos show "Comments are turned off." instead, and
+ *    `blocked` ones redirect to an "unusual traffic" captcha at /sorry/index
+ *  - /playlist?list=PLstFixtures lists every fixture, for batch runs
+ *
+ * The fixture's `expected` block holds the totals a correct scan reports:
+ * `badge` (--strict, --collect json) and `dom` (the default heuristics,
+ * which also count thanked amounts mentioned in plain text).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const VIDEOS_DIR = path.join(__dirname, 'videos');
+/** The playlist of every fixture (batch runs: `/playlist?list=PLstFixtures`). */
+const PLAYLIST_ID = 'PLstFixtures';
+
+/**
+ * @typedef {Object} FixtureComment
+ * @property {string} id             - Comment ID; replies are "<parentId>.<replyId>"
+ * @property {string} author
+ * @property {string} text
+ * @property {string} published      - Relative time as rendered ("2 days ago")
+ * @property {number} likes
+ * @property {string} [chip]         - Super Thanks chip text ("$5.00")
+ * @property {boolean} [hearted]     - Creator heart
+ * @property {FixtureComment[]} [replies]
+ */
+
+/**
+ * @typedef {Object} FixtureVideo
+ * @property {string} videoId
+ * @property {string} title
+ * @property {{name: string, handle: string, id: string}} channel
+ * @property {string} lang            - html[lang] of the page
+ * @property {string} commentsLabel   - Header text after the count ("Comments")
+ * @property {boolean} consent        - Show the consent wall until accepted
+ * @property {number} pageSize        - Threads per continuation
+ * @property {number} repliesPageSize - Replies per continuation
+ * @property {number} delayMs         - Latency before each continuation request
+ * @property {boolean} [shorts]       - A Short: the index links its /shorts/ page
+ * @property {boolean} [commentsDisabled] - Comments are turned off
+ * @property {boolean} [blocked]      - Every page of the video redirects to the captcha
+ * @property {FixtureComment[]} comments
+ * @property {{badge: {count: number, totals: Object<string, number>}, dom: {count: number, totals: Object<string, number>}, outcome?: string}} expected
+ *   outcome: the scan's run outcome when it is not "ok"
+ */
+
+/**
+ * @param {string} videoId
+ * @returns {FixtureVideo|null}
+ */
+function loadFixture(videoId) {
+  if (!/^[\w-]{11}$/.test(String(videoId))) return null;
+  const file = path.join(VIDEOS_DIR, `${videoId}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+/**
+ * Every fixture on disk.
+ * @returns {FixtureVideo[]}
+ */
+function listFixtures() {
+  return fs.readdirSync(VIDEOS_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => loadFixture(path.basename(f, '.json')))
+    .filter(Boolean);
+}
+
+/**
+ * Comments plus replies, as the ytd-comments header counts them.
+ * @param {FixtureVideo} video
+ * @returns {number}
+ */
+function commentCount(video) {
+  return video.comments.reduce((n, c) => n + 1 + (c.replies || []).length, 0);
+}
+
+/* ─────────────────────── youtubei/v1/next JSON ────────────────────── */
+
+/**
+ * @param {string} token
+ */
+function continuationItem(token) {
+  return { continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token } } } };
+}
+
+/**
+ * A comment in the legacy commentRenderer shape.
+ * @param {FixtureComment} c
+ * @param {string} videoId
+ */
+function commentRenderer(c, videoId) {
+  return {
+    commentRenderer: {
+      commentId: c.id,
+      authorText: { simpleText: c.author },
+      authorEndpoint: { browseEndpoint: { browseId: `UC${c.author.replace(/\W/g, '')}` } },
+      contentText: { runs: [{ text: c.text }] },
+      publishedTimeText: {
+        runs: [{ text: c.published, navigationEndpoint: { commandMetadata: { webCommandMetadata: { url: `/watch?v=${videoId}&lc=${c.id}` } } } }]
+      },
+      voteCount: { simpleText: String(c.likes) },
+      replyCount: (c.replies || []).length,
+      actionButtons: {
+        commentActionButtonsRenderer: {
+          creatorHeart: { creatorHeartRenderer: { isHearted: !!c.hearted } }
+        }
+      },
+      ...(c.chip && { paidCommentChipRenderer: { pdgCommentChipRenderer: { chipText: { simpleText: c.chip } } } })
+    }
+  };
+}
+
+/**
+ * One continuation response: `token` is "threads:<offset>" or
+ * "replies:<commentId>:<offset>".
+ * @param {FixtureVideo} video
+ * @param {string} token
+ * @returns {Object|null} null for an unknown token
+ */
+function continuationResponse(video, token) {
+  const [kind, ...rest] = String(token || '').split(':');
+  const offset = Number(rest.pop());
+  if (!Number.isInteger(offset) || offset < 0) return null;
+
+  let items;
+  if (kind === 'threads' && rest.length === 0) {
+    const page = video.comments.slice(offset, offset + video.pageSize);
+    items = page.map(c => ({
+      commentThreadRenderer: {
+        comment: commentRenderer(c, video.videoId),
+        ...((c.replies || []).length && {
+          replies: {
+            commentRepliesRenderer: {
+              moreText: { simpleText: `${c.replies.length} ${c.replies.length === 1 ? 'reply' : 'replies'}` },
+              contents: [continuationItem(`replies:${c.id}:0`)]
+            }
+          }
+        })
+      }
+    }));
+    const next = offset + video.pageSize;
+    if (next < video.comments.length) items.push(continuationItem(`threads:${next}`));
+  } else if (kind === 'replies' && rest.length === 1) {
+    const parent = video.comments.find(c => c.id === rest[0]);
+    if (!parent || !parent.replies) return null;
+    items = parent.replies.slice(offset, offset + video.repliesPageSize).map(r => commentRenderer(r, video.videoId));
+    const next = offset + video.repliesPageSize;
+    if (next < parent.replies.length) items.push(continuationItem(`replies:${parent.id}:${next}`));
+  } else {
+    return null;
+  }
+  return { onResponseReceivedEndpoints: [{ appendContinuationItemsAction: { continuationItems: items } }] };
+}
+
+/* ──────────────────────────── Watch Page ──────────────────────────── */
+
+const SHORTS_PANEL = 'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-comments-section"]';
+
+/**
+ * Runs inside the fixture page (serialized into its <script>): renders the
+ * comment list from continuation responses as the spinner scrolls into view.
+ * @param {{videoId: string, consent: boolean, delayMs: number, layout: 'watch'|'shorts', panel: string}} config
+ */
+function fixturePage({ videoId, consent, delayMs, layout, panel }) {
+  const shorts = layout === 'shorts';
+  const contents = document.querySelector(shorts ? `${panel} ytd-item-section-renderer #contents` : 'ytd-comments #contents');
+  // The Shorts panel scrolls by itself; the watch page with the window
+  const scroller = shorts ? document.querySelector(`${panel} #content`) : null;
+  let started = !consent;
+  let opened = !shorts;
+  let loading = false;
+
+  /** @param {any} t */
+  const text = t => (t && (t.simpleText || (t.runs || []).map(r => r.text).join(''))) || '';
+  const tokenOf = item => item.continuationItemRenderer.continuationEndpoint.continuationCommand.token;
+
+  /**
+   * @param {string} token
+   * @returns {Promise<any[]>} continuation items
+   */
+  async function next(token) {
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    const res = await fetch('/youtubei/v1/next?prettyPrint=false', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ videoId, continuation: token })
+    });
+    const json = await res.json();
+    return json.onResponseReceivedEndpoints[0].appendContinuationItemsAction.continuationItems;
+  }
+
+  /**
+   * @param {string} tag
+   * @param {Object<string, string>} [attrs]
+   * @param {(Node|string)[]} [children]
+   */
+  function h(tag, attrs = {}, children = []) {
+    const el = document.createElement(tag);
+    for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+    el.append(...children);
+    return el;
+  }
+
+  /** @param {any} r - commentRenderer */
+  function commentElement(r) {
+    const heart = r.actionButtons.commentActionButtonsRenderer.creatorHeart.creatorHeartRenderer.isHearted;
+    const chip = r.paidCommentChipRenderer && r.paidCommentChipRenderer.pdgCommentChipRenderer;
+    const permalink = r.publishedTimeText.runs[0].navigationEndpoint.commandMetadata.webCommandMetadata.url;
+    return h('ytd-comment-view-model', { class: 'comment' }, [
+      h('div', { id: 'header' }, [
+        h('a', { id: 'author-text', href: `/channel/${r.authorEndpoint.browseEndpoint.browseId}` }, [text(r.authorText)]),
+        ' ',
+        h('span', { id: 'published-time-text' }, [h('a', { href: permalink }, [text(r.publishedTimeText)])])
+      ]),
+      ...(chip ? [h('ytd-pdg-comment-chip-renderer', {}, [h('span', { id: 'comment-chip-price' }, [text(chip.chipText)])])] : []),
+      h('div', { id: 'content-text' }, [text(r.contentText)]),
+      h('div', { id: 'toolbar' }, [
+        h('span', { id: 'vote-count-middle' }, [text(r.voteCount)]),
+        ...(heart ? [h('div', { id: 'creator-heart-button' }, [h('ytd-creator-heart-renderer', {}, ['♥'])])] : [])
+      ])
+    ]);
+  }
+
+  /**
+   * "Show more replies" at the end of a reply list; removed once loaded.
+   * @param {Element} list
+   * @param {string} token
+   */
+  function moreRepliesButton(list, token) {
+    const button = h('button', {}, ['Show more replies']);
+    const item = h('ytd-continuation-item-renderer', {}, [button]);
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      loadReplies(list, token).finally(() => item.remove());
+    }, { once: true });
+    return item;
+  }
+
+  /**
+   * @param {Element} list
+   * @param {string} token
+   */
+  async function loadReplies(list, token) {
+    for (const item of await next(token)) {
+      if (item.continuationItemRenderer) list.append(moreRepliesButton(list, tokenOf(item)));
+      else list.append(commentElement(item.commentRenderer));
+    }
+  }
+
+  /** @param {any} t - commentThreadRenderer */
+  function threadElement(t) {
+    const thread = h('ytd-comment-thread-renderer', {}, [commentElement(t.comment.commentRenderer)]);
+    const replies = t.replies && t.replies.commentRepliesRenderer;
+    if (replies) {
+      const toggle = h('div', { id: 'more-replies' }, [h('button', {}, [text(replies.moreText)])]);
+      const list = h('div', { id: 'expander-contents' });
+      toggle.querySelector('button').addEventListener('click', () => {
+        toggle.hidden = true;
+        loadReplies(list, tokenOf(replies.contents[0]));
+      }, { once: true });
+      thread.append(h('ytd-comment-replies-renderer', {}, [h('div', { id: 'expander' }, [toggle, list])]));
+    }
+    return thread;
+  }
+
+  /** Load the next page of threads when the spinner is within reach. */
+  async function tick() {
+    const spinner = contents && contents.querySelector(':scope > ytd-continuation-item-renderer');
+    if (!started || !opened || loading || !spinner) return;
+    const bottom = scroller ? scroller.getBoundingClientRect().bottom : window.innerHeight;
+    if (spinner.getBoundingClientRect().top > bottom + 400) return;
+    loading = true;
+    try {
+      const items = await next(spinner.dataset.token);
+      spinner.remove();
+      for (const item of items) {
+        if (item.continuationItemRenderer) {
+          contents.append(h('ytd-continuation-item-renderer', { 'data-token': tokenOf(item) }, [h('div', { class: 'spinner' }, ['Loading…'])]));
+        } else {
+          contents.append(threadElement(item.commentThreadRenderer));
+        }
+      }
+    } finally {
+      loading = false;
+    }
+  }
+
+  const accept = document.querySelector('#consent-accept');
+  if (accept) {
+    accept.addEventListener('click', () => {
+      document.cookie = 'SOCS=fixture; path=/';
+      document.querySelector('#consent').remove();
+      started = true;
+    });
+  }
+  const commentsButton = shorts && document.querySelector('#comments-button button');
+  if (commentsButton) {
+    commentsButton.addEventListener('click', () => {
+      document.querySelector(panel).setAttribute('visibility', 'ENGAGEMENT_PANEL_VISIBILITY_EXPANDED');
+      opened = true;
+    });
+  }
+  setInterval(() => { tick().catch(err => console.error(err)); }, 150);
+}
+
+/**
+ * @param {string} s
+ */
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * The comment list: the continuation spinner, or the "turned off" message.
+ * @param {FixtureVideo} video
+ */
+function commentList(video) {
+  const item = video.commentsDisabled
+    ? '<ytd-message-renderer><span id="message">Comments are turned off.</span> <a href="#">Learn more</a></ytd-message-renderer>'
+    : '<ytd-continuation-item-renderer data-token="threads:0"><div class="spinner">Loading…</div></ytd-continuation-item-renderer>';
+  return `<ytd-item-section-renderer id="sections">
+      <div id="contents">
+        ${item}
+      </div>
+    </ytd-item-section-renderer>`;
+}
+
+/**
+ * The watch layout: a player-sized placeholder, the title and channel, the
+ * comments header and an empty list whose first continuation loads once the
+ * spinner is reached.
+ * @param {FixtureVideo} video
+ */
+function watchBody(video) {
+  const header = video.commentsDisabled ? '' : `
+    <div id="header">
+      <ytd-comments-header-renderer><h2 id="count"><span>${commentCount(video)} ${escapeHtml(video.commentsLabel)}</span></h2></ytd-comments-header-renderer>
+    </div>`;
+  return `
+  <div id="player">${escapeHtml(video.title)}</div>
+  <ytd-watch-metadata>
+    <div id="title"><h1><yt-formatted-string>${escapeHtml(video.title)}</yt-formatted-string></h1></div>
+    <div id="owner"><ytd-channel-name id="channel-name"><a href="/${escapeHtml(video.channel.handle)}">${escapeHtml(video.channel.name)}</a></ytd-channel-name></div>
+  </ytd-watch-metadata>
+  <ytd-comments id="comments">${header}
+    ${commentList(video)}
+  </ytd-comments>`;
+}
+
+/**
+ * The Shorts layout: the active Short with its comments button, and the
+ * comments engagement panel, hidden until the button is clicked. The panel
+ * shows an abbreviated count ("1.2K"), as YouTube does.
+ * @param {FixtureVideo} video
+ */
+function shortsBody(video) {
+  const count = new Intl.NumberFormat(video.lang, { notation: 'compact' }).format(commentCount(video));
+  const button = video.commentsDisabled
+    ? '<button aria-label="Comments are turned off" aria-disabled="true" disabled>…</button>'
+    : `<button aria-label="View ${count} comments">${count}</button>`;
+  return `
+  <ytd-shorts>
+    <ytd-reel-video-renderer is-active>
+      <div id="player" class="short">${escapeHtml(video.title)}</div>
+      <h2 class="title">${escapeHtml(video.title)}</h2>
+      <ytd-channel-name><a href="/${escapeHtml(video.channel.handle)}">${escapeHtml(video.channel.name)}</a></ytd-channel-name>
+      <div id="actions"><div id="comments-button">${button}</div></div>
+    </ytd-reel-video-renderer>
+  </ytd-shorts>
+  <ytd-engagement-panel-section-list-renderer target-id="engagement-panel-comments-section" visibility="ENGAGEMENT_PANEL_VISIBILITY_HIDDEN">
+    <div id="header">
+      <ytd-engagement-panel-title-header-renderer><h2 id="title">${escapeHtml(video.commentsLabel)}</h2> <span id="contextual-info">${count}</span></ytd-engagement-panel-title-header-renderer>
+    </div>
+    <div id="content"><ytd-section-list-renderer><div id="contents">
+    ${commentList(video)}
+    </div></ytd-section-list-renderer></div>
+  </ytd-engagement-panel-section-list-renderer>`;
+}
+
+/**
+ * A video page in either layout.
+ * @param {FixtureVideo} video
+ * @param {'watch'|'shorts'} layout
+ * @param {boolean} consented - The SOCS cookie is set: no consent wall
+ * @returns {string}
+ */
+function videoPage(video, layout, consented) {
+  const config = { videoId: video.videoId, consent: video.consent && !consented, delayMs: video.delayMs, layout, panel: SHORTS_PANEL };
+  const consentWall = config.consent ? `
+  <div id="consent">
+    <div class="dialog">
+      <p>Before you continue to YouTube</p>
+      <button id="consent-reject" aria-label="Reject the use of cookies">Reject all</button>
+      <button id="consent-accept" aria-label="Accept the use of cookies and other data">Accept all</button>
+    </div>
+  </div>` : '';
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(video.lang)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(video.title)} - YouTube</title>
+<meta property="og:title" content="${escapeHtml(video.title)}">
+<meta itemprop="channelId" content="${escapeHtml(video.channel.id)}">
+<style>
+  body { font: 14px/1.4 sans-serif; margin: 0 auto; max-width: 960px; }
+  #player { height: 540px; background: #111; color: #eee; display: flex; align-items: center; justify-content: center; }
+  ytd-shorts { display: inline-block; width: 360px; vertical-align: top; }
+  #player.short { height: 640px; }
+  ytd-engagement-panel-section-list-renderer { display: inline-block; width: 560px; vertical-align: top; }
+  ytd-engagement-panel-section-list-renderer[visibility="ENGAGEMENT_PANEL_VISIBILITY_HIDDEN"] { display: none; }
+  ytd-engagement-panel-section-list-renderer #content { display: block; height: 600px; overflow-y: auto; }
+  ytd-comment-thread-renderer { display: block; min-height: 160px; border-bottom: 1px solid #ddd; padding: 8px 0; }
+  ytd-comment-view-model { display: block; padding: 4px 0; }
+  ytd-comment-replies-renderer { display: block; margin-left: 48px; }
+  ytd-pdg-comment-chip-renderer { display: inline-block; background: #ffd600; border-radius: 8px; padding: 0 6px; }
+  ytd-continuation-item-renderer { display: block; padding: 16px 0; }
+  #consent { position: fixed; inset: 0; background: rgba(0, 0, 0, .6); display: flex; align-items: center; justify-content: center; }
+  #consent .dialog { background: #fff; padding: 24px; }
+</style>
+</head>
+<body>${layout === 'shorts' ? shortsBody(video) : watchBody(video)}${consentWall}
+<script>(${fixturePage})(${JSON.stringify(config)});</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Google's "unusual traffic" interstitial that blocked videos redirect to.
+ * @returns {string}
+ */
+function sorryPage() {
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>https://www.youtube.com/</title></head>
+<body>
+  <form id="captcha-form" action="/sorry/index" method="post">
+    <p>Our systems have detected unusual traffic from your computer network.</p>
+    <div class="g-recaptcha"></div>
+  </form>
+</body></html>
+`;
+}
+
+/**
+ * A playlist of every fixture, with the title links YouTube's playlist page
+ * has. The links are relative, so they resolve against this server's host.
+ * @returns {string}
+ */
+function playlistPage() {
+  const rows = listFixtures()
+    .map(v => `<ytd-playlist-video-renderer><a id="video-title" href="/watch?v=${v.videoId}&amp;list=${PLAYLIST_ID}">${escapeHtml(v.title)}</a></ytd-playlist-video-renderer>`)
+    .join('\n');
+  return `<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8"><title>Super Thanks fixtures - YouTube</title></head>\n<body><ytd-playlist-video-list-renderer>\n${rows}\n</ytd-playlist-video-list-renderer></body></html>\n`;
+}
+
+/**
+ * Index of the fixtures, for manual runs.
+ * @returns {string}
+ */
+function indexPage() {
+  const rows = listFixtures()
+    .map(v => `<li><a href="${v.shorts ? `/shorts/${v.videoId}` : `/watch?v=${v.videoId}`}">${v.videoId}</a> — ${escapeHtml(v.title)}</li>`)
+    .join('\n');
+  return `<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8"><title>Super Thanks fixtures</title></head>\n<body><ul>\n${rows}\n</ul></body></html>\n`;
+}
+
+/* ───────────────────────────── Server ─────────────────────────────── */
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} type
+ * @param {string} body
+ */
+function send(res, status, type, body) {
+  res.writeHead(status, { 'content-type': `${type}; charset=utf-8`, 'cache-control': 'no-store' });
+  res.end(body);
+}
+
+/**
+ * The fixture HTTP server (not yet listening).
+ *  - GET  /                       fixture index
+ *  - GET  /watch?v=<id>           watch page
+ *  - GET  /shorts/<id>            the same video in the Shorts player
+ *  - GET  /playlist?list=PLstFixtures  every fixture as a playlist
+ *  - GET  /sorry/index            captcha page (blocked videos redirect here)
+ *  - POST /youtubei/v1/next       {videoId, continuation} -> continuation items
+ * @returns {http.Server}
+ */
+function createFixtureServer() {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://fixture.local');
+
+    if (req.method === 'GET' && url.pathname === '/') return send(res, 200, 'text/html', indexPage());
+
+    const shorts = url.pathname.match(/^\/shorts\/([^/]+)$/);
+    if (req.method === 'GET' && (url.pathname === '/watch' || shorts)) {
+      const video = loadFixture(shorts ? shorts[1] : url.searchParams.get('v'));
+      if (!video) return send(res, 404, 'text/plain', 'No such fixture video');
+      if (video.blocked) {
+        res.writeHead(302, { location: `/sorry/index?continue=${encodeURIComponent(req.url)}` });
+        return res.end();
+      }
+      const consented = /(?:^|;\s*)SOCS=/.test(req.headers.cookie || '');
+      return send(res, 200, 'text/html', videoPage(video, shorts ? 'shorts' : 'watch', consented));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/playlist') {
+      if (url.searchParams.get('list') !== PLAYLIST_ID) return send(res, 404, 'text/plain', 'No such fixture playlist');
+      return send(res, 200, 'text/html', playlistPage());
+    }
+
+    if (req.method === 'GET' && url.pathname === '/sorry/index') return send(res, 429, 'text/html', sorryPage());
+
+    if (req.method === 'POST' && url.pathname === '/youtubei/v1/next') {
+      let raw = '';
+      req.setEncoding('utf-8');
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        let body = null;
+        try { body = JSON.parse(raw); } catch {}
+        const video = body && loadFixture(body.videoId);
+        const json = video && continuationResponse(video, body.continuation);
+        if (!json) return send(res, 400, 'application/json', JSON.stringify({ error: 'unknown video or continuation' }));
+        send(res, 200, 'application/json', JSON.stringify(json));
+      });
+      return;
+    }
+
+    send(res, 404, 'text/plain', 'Not found');
+  });
+}
+
+module.exports = { createFixtureServer, loadFixture, listFixtures, continuationResponse, commentCount, PLAYLIST_ID };
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || 0);
+  const server = createFixtureServer();
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Fixture server: http://127.0.0.1:${server.address().port}/`);
+    for (const v of listFixtures()) {
+      console.log(`  https://www.youtube.com/${v.shorts ? `shorts/${v.videoId}` : `watch?v=${v.videoId}`}  (${v.title})`);
+    }
+  });
+}
@@ -0,0 +1,78 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createConverter, analyzeFindings } = require('../superthanks');
+
+/**
+ * @param {Object} fields
+ * @returns {import('../superthanks').Finding}
+ */
+const finding = fields => ({ type: 'superthanks', source: 'json', snippet: '', publishedTime: null, ...fields });
+
+describe('createConverter', () => {
+  test('converts flat rates against the target base', () => {
+    const c = createConverter('USD', { TRY: 40, EUR: 0.8 });
+    assert.deepEqual(c.convert('TRY', 200), { value: 5, rate: 1 / 40, date: null });
+    assert.equal(c.convert('eur', 8).value, 10);
+    assert.equal(c.convert('USD', 3).value, 3);
+    assert.equal(c.convert('JPY', 100), null);
+  });
+
+  test('cross-converts through the file base and keeps rate dates', () => {
+    const c = createConverter('EUR', { base: 'USD', date: '2025-09-01', rates: { EUR: 0.8, TRY: { rate: 40, date: '2025-09-02' } } });
+    assert.equal(c.base, 'EUR');
+    assert.equal(c.date, '2025-09-01');
+    assert.deepEqual(c.convert('TRY', 400), { value: 8, rate: 0.02, date: '2025-09-02' });
+    assert.equal(c.convert('USD', 10).date, '2025-09-01');
+  });
+
+  test('defaults to the file base and rejects a base without a rate', () => {
+    assert.equal(createConverter(undefined, { base: 'USD', rates: { TRY: 40 } }).base, 'USD');
+    assert.throws(() => createConverter('GBP', { base: 'USD', rates: { TRY: 40 } }), /no rate for base currency GBP/);
+    assert.throws(() => createConverter(undefined, { TRY: 40 }), /base currency is required/);
+  });
+});
+
+describe('analyzeFindings', () => {
+  const findings = [
+    finding({ currency: 'USD', amount: 5, author: '@bob', channelId: 'UCbob', publishedTime: '2025-09-10' }),
+    finding({ currency: 'USD', amount: 2, author: '@carol' }),
+    finding({ currency: 'USD', amount: 20, author: '@bob (renamed)', channelId: 'UCbob', publishedTime: '2025-09-01' }),
+    finding({ currency: 'TRY', amount: 300, author: '@carol' }),
+    finding({ currency: 'USD', amount: 7, author: '@dave' })
+  ];
+
+  test('groups donors by channel ID, else by name, and ranks by count', () => {
+    const a = analyzeFindings(findings, { top: 2 });
+    assert.equal(a.donorCount, 3);
+    assert.deepEqual(a.topDonors.map(d => [d.rank, d.key, d.count]), [[1, 'channel:UCbob', 2], [2, 'author:@carol', 2]]);
+    const bob = a.donors[0];
+    assert.equal(bob.author, '@bob (renamed)');
+    assert.deepEqual(bob.sums, { USD: 25 });
+    // Oldest first by publish time, not discovery order
+    assert.deepEqual([bob.first.amount, bob.last.amount], [20, 5]);
+    assert.deepEqual(a.donors[1].sums, { TRY: 300, USD: 2 });
+  });
+
+  test('ranks by the converted total when converting', () => {
+    const a = analyzeFindings(findings.map(f => ({ ...f, convertedAmount: f.currency === 'TRY' ? 7.5 : f.amount })));
+    assert.deepEqual(a.donors.map(d => [d.author, d.convertedTotal]), [['@bob (renamed)', 25], ['@carol', 9.5], ['@dave', 7]]);
+  });
+
+  test('describes each currency with a 1-2-5 histogram', () => {
+    assert.deepEqual(analyzeFindings(findings).distribution.USD, {
+      count: 4, min: 2, max: 20, mean: 8.5, median: 6,
+      histogram: [
+        { from: 2, to: 5, count: 1, sum: 2 },
+        { from: 5, to: 10, count: 2, sum: 12 },
+        { from: 20, to: 50, count: 1, sum: 20 }
+      ]
+    });
+  });
+
+  test('leaves --redact drop findings out of the donors only', () => {
+    const a = analyzeFindings([finding({ currency: 'USD', amount: 5, author: '', redacted: 'drop' })]);
+    assert.equal(a.donorCount, 0);
+    assert.equal(a.distribution.USD.count, 1);
+  });
+});
@@ -0,0 +1,23 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const { scanBatch } = require('../superthanks');
+
+const CLI = path.join(__dirname, '..', 'superthanks.js');
+const VIDEOS = ['https://youtu.be/stFixture01', 'https://youtu.be/stFixture02'];
+
+describe('batch checkpoints', () => {
+  for (const option of ['checkpoint', 'resume']) {
+    test(`scanBatch refuses a shared ${option} file before starting a browser`, async () => {
+      await assert.rejects(scanBatch(VIDEOS, { [option]: 'shared.json' }), /--checkpoint and --resume take a single video URL/);
+    });
+
+    test(`the CLI refuses --${option} with batch input`, () => {
+      const run = spawnSync(process.execPath, [CLI, ...VIDEOS, `--${option}`, 'shared.json'], { encoding: 'utf-8', timeout: 30_000 });
+      assert.equal(run.status, 1);
+      assert.match(run.stderr, /--checkpoint and --resume take a single video URL/);
+    });
+  }
+});
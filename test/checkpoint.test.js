@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'superthanks.js');
+
+/**
+ * Single-video CLI runs that fail before reading any comment: Chrome is
+ * missing, or it cannot reach the closed --base-url port. Either way the run
+ * ends with a partial result, and the checkpoint shows up only on request.
+ */
+
+/** @param {import('node:test').TestContext} t */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superthanks-checkpoint-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * @param {string} dir
+ * @param {string[]} [extra]
+ */
+function run(dir, extra = []) {
+  const args = [CLI, 'https://youtu.be/stFixture01', '--base-url', 'http://127.0.0.1:1', '--seconds', '1', '--out', path.join(dir, 'st'), ...extra];
+  const cli = spawnSync(process.execPath, args, { encoding: 'utf-8', timeout: 120_000 });
+  assert.equal(cli.status, 1, cli.stderr);
+  return fs.readdirSync(dir).sort();
+}
+
+test('a plain run leaves no checkpoint behind', t => {
+  const files = run(tempDir(t));
+  assert.equal(files.length, 1);
+  assert.match(files[0], /^st-stFixture01-\d{8}-\d{6}\.json$/);
+});
+
+test('--checkpoint writes the named file', t => {
+  const dir = tempDir(t);
+  assert.ok(run(dir, ['--checkpoint', path.join(dir, 'mine.json')]).includes('mine.json'));
+});
+
+test('--resume alone keeps the default checkpoint', t => {
+  const dir = tempDir(t);
+  const [partial] = run(dir);
+  assert.ok(run(dir, ['--resume', path.join(dir, partial)]).includes('st-stFixture01.checkpoint.json'));
+});
@@ -0,0 +1,192 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scanVideo, expandInputs, reidentifyResult } = require('../superthanks');
+const { createFixtureServer, loadFixture, listFixtures, PLAYLIST_ID } = require('../fixtures/server');
+
+/**
+ * Full scans (real headless Chrome) against the fixture server. Skipped when
+ * Puppeteer is not installed or Chrome cannot start on this machine.
+ */
+
+/** @type {import('http').Server} */
+let server;
+let baseUrl = '';
+/** @type {import('puppeteer').Browser|null} */
+let browser = null;
+let unavailable = '';
+
+before(async t => {
+  server = createFixtureServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    browser = await require('puppeteer').launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+  } catch (err) {
+    // Puppeteer's reason (missing Chrome, missing libraries) is rarely on the first line
+    const reason = String(err.message || err).split('\n').map(l => l.trim()).filter(Boolean).join(' ');
+    unavailable = `headless Chrome unavailable: ${reason.length > 300 ? `${reason.slice(0, 300)}…` : reason}`;
+    t.diagnostic(`e2e scans skipped: ${unavailable}`);
+  }
+});
+
+after(async () => {
+  if (browser) await browser.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Scan a fixture video through --base-url in the shared browser.
+ * @param {import('node:test').TestContext} t
+ * @param {string} video - Video ID, or a full YouTube URL
+ * @param {import('../superthanks').ScanOptions} [opts]
+ */
+async function scanFixture(t, video, opts = {}) {
+  if (!browser) {
+    t.skip(unavailable);
+    return null;
+  }
+  return scanVideo(video.includes('/') ? video : `https://youtu.be/${video}`, {
+    browser, baseUrl, untilComplete: true, maxSeconds: 60, seconds: 10, ...opts
+  });
+}
+
+/**
+ * @param {import('../superthanks').ScanResult} result
+ * @param {{count: number, totals: Object<string, number>}} expected
+ */
+function assertTotals(result, expected) {
+  assert.deepEqual(result.totals, expected.totals);
+  assert.equal(result.findings.length, expected.count);
+}
+
+describe('scanVideo against the fixture server', { timeout: 10 * 60_000 }, () => {
+  const en = loadFixture('stFixture01');
+  const tr = loadFixture('stFixture02');
+
+  test('accepts consent, loads every thread and reply, and counts text mentions', async t => {
+    const result = await scanFixture(t, 'stFixture01');
+    if (!result) return;
+    assertTotals(result, en.expected.dom);
+    assert.equal(result.url, 'https://www.youtube.com/watch?v=stFixture01');
+    assert.deepEqual(
+      { complete: result.coverage.complete, threads: result.coverage.threads, headerCount: result.coverage.headerCount },
+      { complete: true, threads: en.comments.length, headerCount: 14 }
+    );
+    const byId = new Map(result.findings.map(f => [f.commentId, f]));
+    assert.equal(byId.get('UgxF1c003.F1r003').permalink, 'https://www.youtube.com/watch?v=stFixture01&lc=UgxF1c003.F1r003');
+    assert.equal(byId.get('UgxF1c003.F1r003').parentId, 'UgxF1c003');
+    assert.equal(byId.get('UgxF1c008').creatorHearted, true);
+    assert.deepEqual(byId.get('UgxF1c004').evidence, ['currency+thanks']);
+    assert.equal(result.run.outcome, 'ok');
+    assert.equal(result.run.layout, 'watch');
+    assert.equal(result.run.title, en.title);
+    assert.equal(result.run.channel.id, en.channel.id);
+    assert.equal(result.run.steps.consent.status, 'ok');
+  });
+
+  test('--strict keeps only chip-confirmed donations', async t => {
+    const result = await scanFixture(t, 'stFixture01', { strict: true });
+    if (result) assertTotals(result, en.expected.badge);
+  });
+
+  test('--collect json reads the continuation responses', async t => {
+    const result = await scanFixture(t, 'stFixture01', { collect: 'json' });
+    if (result) assertTotals(result, en.expected.badge);
+  });
+
+  test('--incremental --detach finds the same donations', async t => {
+    const result = await scanFixture(t, 'stFixture01', { incremental: true, detach: true });
+    if (result) assertTotals(result, en.expected.dom);
+  });
+
+  test('follows the page language (Turkish amounts and thanks words)', async t => {
+    const result = await scanFixture(t, 'stFixture02');
+    if (!result) return;
+    assertTotals(result, tr.expected.dom);
+    assert.equal(result.locale.code, 'tr');
+  });
+
+  test('--collect both counts each comment once', async t => {
+    const result = await scanFixture(t, 'stFixture02', { collect: 'both' });
+    if (result) assertTotals(result, tr.expected.dom);
+  });
+
+  test('--evidence saves each matched comment with a verifiable manifest', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superthanks-evidence-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const result = await scanFixture(t, 'stFixture01', { strict: true, evidence: dir });
+    if (!result) return;
+    assert.equal(result.evidenceBundle.captured, en.expected.badge.count);
+    assert.ok(result.evidenceBundle.pageScreenshot);
+    for (const f of result.findings) {
+      assert.ok(fs.readFileSync(f.evidenceFiles.html, 'utf-8').includes(`lc=${f.commentId}"`), f.commentId);
+      assert.ok(fs.statSync(f.evidenceFiles.screenshot).size > 0);
+    }
+    const manifest = JSON.parse(fs.readFileSync(result.evidenceBundle.manifest, 'utf-8'));
+    assert.equal(manifest.files.length, 2 * en.expected.badge.count + 1);
+    for (const file of manifest.files) {
+      const data = fs.readFileSync(path.join(result.evidenceBundle.dir, file.file));
+      assert.equal(crypto.createHash('sha256').update(data).digest('hex'), file.sha256, file.file);
+    }
+  });
+
+  test('opens the comments panel of a Short', async t => {
+    const short = loadFixture('stFixture03');
+    const result = await scanFixture(t, 'https://www.youtube.com/shorts/stFixture03');
+    if (!result) return;
+    assertTotals(result, short.expected.dom);
+    assert.equal(result.url, 'https://www.youtube.com/watch?v=stFixture03');
+    assert.equal(result.run.layout, 'shorts');
+    assert.equal(result.run.steps.panel.status, 'ok');
+    assert.equal(result.coverage.complete, true);
+  });
+
+  for (const videoId of ['stFixture04', 'stFixture05', 'stFixture06']) {
+    const video = loadFixture(videoId);
+    test(`reports ${video.expected.outcome} for "${video.title}"`, async t => {
+      const result = await scanFixture(t, videoId);
+      if (!result) return;
+      assert.equal(result.run.outcome, video.expected.outcome);
+      assert.deepEqual(result.findings, []);
+    });
+  }
+
+  test('--redact hash pseudonymizes donors and the key file re-identifies them', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superthanks-redact-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const redactKey = path.join(dir, 'key.json');
+    const result = await scanFixture(t, 'stFixture01', { strict: true, redact: 'hash', redactKey });
+    if (!result) return;
+    assertTotals(result, en.expected.badge);
+    assert.equal(result.redaction.mode, 'hash');
+    for (const f of result.findings) {
+      assert.match(f.author, /^donor-[0-9a-f]{16}$/);
+      assert.match(f.commentId, /^comment-[0-9a-f]{16}(\.comment-[0-9a-f]{16})?$/);
+      assert.equal(f.permalink, null);
+    }
+    assert.equal(result.analysis.donorCount, new Set(result.findings.map(f => f.author)).size);
+
+    const restored = reidentifyResult(result, redactKey);
+    const ids = new Set(en.comments.flatMap(c => [c.id, ...(c.replies || []).map(r => r.id)]));
+    for (const f of restored.findings) {
+      assert.ok(ids.has(f.commentId), f.commentId);
+      assert.equal(f.permalink, `https://www.youtube.com/watch?v=stFixture01&lc=${f.commentId}`);
+      assert.doesNotMatch(f.author, /^donor-/);
+    }
+  });
+});
+
+describe('expandInputs against the fixture server', () => {
+  test('collects a playlist\'s video IDs through --base-url', async t => {
+    if (!browser) return t.skip(unavailable);
+    const ids = await expandInputs(browser, [`https://www.youtube.com/playlist?list=${PLAYLIST_ID}`], { baseUrl });
+    assert.deepEqual(ids, listFixtures().map(v => v.videoId));
+    const first = await expandInputs(browser, [`https://www.youtube.com/playlist?list=${PLAYLIST_ID}`], { baseUrl, maxVideos: 2 });
+    assert.deepEqual(first, ids.slice(0, 2));
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { writeEvidenceManifest } = require('../superthanks');
+
+const canonical = { videoId: 'stFixture01', url: 'https://www.youtube.com/watch?v=stFixture01' };
+
+/** @param {string|Buffer} data */
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('writeEvidenceManifest', () => {
+  test('hashes every file in the folder and names the comment it belongs to', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superthanks-evidence-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const files = {
+      'UgxF1c003.png': 'PNG one', 'UgxF1c003.html': '<div>one</div>',
+      'UgxF1c003.F1r003.png': 'PNG reply', 'UgxF1c003.F1r003.html': '<div>reply</div>',
+      'page-20250914-104231.png': 'PNG page', 'notes.txt': 'added by hand'
+    };
+    for (const [name, data] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), data);
+    fs.writeFileSync(path.join(dir, 'manifest.json.123.tmp'), 'half-written');
+    const findings = ['UgxF1c003', 'UgxF1c003.F1r003'].map(commentId => ({
+      commentId, evidenceFiles: { screenshot: path.join(dir, `${commentId}.png`), html: path.join(dir, `${commentId}.html`) }
+    }));
+
+    const manifestPath = writeEvidenceManifest(dir, canonical, [...findings, { commentId: 'UgxF1c009' }]);
+    assert.equal(manifestPath, path.join(dir, 'manifest.json'));
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    assert.equal(manifest.videoId, 'stFixture01');
+    assert.equal(manifest.algorithm, 'sha256');
+    assert.deepEqual(manifest.files, Object.keys(files).sort().map(file => ({
+      file,
+      bytes: Buffer.byteLength(files[file]),
+      sha256: sha256(files[file]),
+      ...(file.startsWith('UgxF1c003.F1r003') ? { commentId: 'UgxF1c003.F1r003' }
+        : file.startsWith('UgxF1c003') ? { commentId: 'UgxF1c003' }
+        : file.startsWith('page-') ? { kind: 'page' } : {})
+    })));
+    assert.equal(
+      fs.readFileSync(path.join(dir, 'SHA256SUMS'), 'utf-8'),
+      Object.keys(files).sort().map(file => `${sha256(files[file])}  ${file}\n`).join('')
+    );
+
+    // Rewritten after a change, so a tampered file no longer matches an old copy
+    fs.writeFileSync(path.join(dir, 'UgxF1c003.html'), '<div>edited</div>');
+    writeEvidenceManifest(dir, canonical, findings);
+    const again = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    assert.equal(again.files.find(f => f.file === 'UgxF1c003.html').sha256, sha256('<div>edited</div>'));
+    assert.ok(!again.files.some(f => f.file === 'manifest.json' || f.file === 'SHA256SUMS'));
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractFindingsFromContinuation } = require('../superthanks');
+const { createFixtureServer, listFixtures, commentCount, PLAYLIST_ID } = require('../fixtures/server');
+
+/** @type {import('http').Server} */
+let server;
+let base = '';
+
+before(async () => {
+  server = createFixtureServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * @param {string} videoId
+ * @param {string} continuation
+ */
+async function next(videoId, continuation) {
+  const res = await fetch(`${base}/youtubei/v1/next?prettyPrint=false`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ videoId, continuation })
+  });
+  return { status: res.status, json: await res.json() };
+}
+
+/**
+ * Every continuation response of a video, following thread and reply tokens
+ * the way the page does.
+ * @param {string} videoId
+ * @returns {Promise<any[]>}
+ */
+async function crawl(videoId) {
+  const responses = [];
+  const queue = ['threads:0'];
+  while (queue.length) {
+    const { status, json } = await next(videoId, queue.shift());
+    assert.equal(status, 200);
+    responses.push(json);
+    JSON.stringify(json, (key, value) => {
+      if (key === 'continuationCommand') queue.push(value.token);
+      return value;
+    });
+  }
+  return responses;
+}
+
+/** @param {{currency: string, amount: number}[]} findings */
+function totals(findings) {
+  const out = {};
+  for (const f of findings) out[f.currency] = Math.round(((out[f.currency] || 0) + f.amount) * 100) / 100;
+  return out;
+}
+
+describe('watch page', () => {
+  test('shows the consent wall until the SOCS cookie is set', async () => {
+    const first = await (await fetch(`${base}/watch?v=stFixture01`)).text();
+    assert.match(first, /<html lang="en">/);
+    assert.match(first, /aria-label="Accept the use of cookies and other data">Accept all</);
+    assert.match(first, /<h2 id="count"><span>14 Comments<\/span>/);
+
+    const again = await (await fetch(`${base}/watch?v=stFixture01`, { headers: { cookie: 'SOCS=fixture' } })).text();
+    assert.doesNotMatch(again, /id="consent"/);
+  });
+
+  test('serves Shorts with a hidden comments panel', async () => {
+    const html = await (await fetch(`${base}/shorts/stFixture03`, { headers: { cookie: 'SOCS=fixture' } })).text();
+    assert.match(html, /<ytd-reel-video-renderer is-active>/);
+    assert.match(html, /<button aria-label="View 9 comments">9<\/button>/);
+    assert.match(html, /visibility="ENGAGEMENT_PANEL_VISIBILITY_HIDDEN"/);
+  });
+
+  test('sends blocked videos to the captcha page', async () => {
+    const res = await fetch(`${base}/watch?v=stFixture05`, { redirect: 'manual' });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), '/sorry/index?continue=%2Fwatch%3Fv%3DstFixture05');
+    const sorry = await fetch(`${base}${res.headers.get('location')}`);
+    assert.equal(sorry.status, 429);
+    assert.match(await sorry.text(), /id="captcha-form"/);
+  });
+
+  test('lists every fixture as a playlist', async () => {
+    const html = await (await fetch(`${base}/playlist?list=${PLAYLIST_ID}`)).text();
+    const ids = [...html.matchAll(/<a id="video-title" href="\/watch\?v=([^&"]+)/g)].map(m => m[1]);
+    assert.deepEqual(ids, listFixtures().map(v => v.videoId));
+    assert.equal((await fetch(`${base}/playlist?list=PLnope`)).status, 404);
+  });
+
+  test('answers 404 for unknown videos', async () => {
+    assert.equal((await fetch(`${base}/watch?v=noSuchVideo`)).status, 404);
+    assert.equal((await next('noSuchVideo', 'threads:0')).status, 400);
+    assert.equal((await next('stFixture01', 'replies:nope:0')).status, 400);
+  });
+});
+
+describe('continuations', () => {
+  for (const video of listFixtures()) {
+    test(`${video.videoId}: pages hold every comment once`, async () => {
+      const ids = [];
+      JSON.stringify(await crawl(video.videoId), (key, value) => {
+        if (key === 'commentId') ids.push(value);
+        return value;
+      });
+      assert.equal(ids.length, commentCount(video));
+      assert.equal(new Set(ids).size, ids.length);
+    });
+
+    test(`${video.videoId}: JSON collection finds the badge totals`, async () => {
+      const findings = (await crawl(video.videoId))
+        .flatMap(json => extractFindingsFromContinuation(json, { videoId: video.videoId }));
+      assert.equal(findings.length, video.expected.badge.count);
+      assert.deepEqual(totals(findings), video.expected.badge.totals);
+      for (const f of findings) {
+        assert.equal(f.permalink, `https://www.youtube.com/watch?v=${video.videoId}&lc=${f.commentId}`);
+        assert.equal(f.isReply, f.commentId.includes('.'));
+      }
+    });
+  }
+});
@@ -0,0 +1,50 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runOutcome, exitCodeFor } = require('../superthanks');
+
+const read = { complete: true, reason: 'end-of-list', threads: 12, headerCount: 20, elapsedSeconds: 30 };
+const empty = { complete: true, reason: 'end-of-list', threads: 0, headerCount: 0, elapsedSeconds: 9 };
+const unavailable = { complete: false, reason: 'comments-unavailable', threads: 0, headerCount: null, elapsedSeconds: 0 };
+
+describe('runOutcome', () => {
+  const cases = [
+    ['ok', { blockedBy: null, notice: null, coverage: read, findings: 0 }],
+    ['ok', { blockedBy: null, notice: null, coverage: read, findings: 3 }],
+    // --chat-only reads no comments; chat donations still count as read
+    ['ok', { blockedBy: null, notice: null, coverage: null, findings: 0 }],
+    ['ok', { blockedBy: null, notice: null, coverage: empty, findings: 2 }],
+    ['no-comments', { blockedBy: null, notice: null, coverage: empty, findings: 0 }],
+    ['comments-disabled', { blockedBy: null, notice: 'Comments are turned off.', coverage: unavailable, findings: 0 }],
+    ['blocked', { blockedBy: 'captcha', notice: null, coverage: unavailable, findings: 0 }],
+    ['blocked', { blockedBy: 'consent', notice: 'Comments are turned off.', coverage: unavailable, findings: 0 }]
+  ];
+  for (const [expected, run] of cases) {
+    test(`${expected}: ${JSON.stringify({ ...run, coverage: run.coverage && run.coverage.reason })}`, () => {
+      assert.equal(runOutcome(run), expected);
+    });
+  }
+});
+
+describe('exitCodeFor', () => {
+  test('one video: one code per outcome', () => {
+    assert.deepEqual(
+      ['ok', 'no-comments', 'comments-disabled', 'blocked'].map(o => exitCodeFor([o])),
+      [0, 3, 4, 5]
+    );
+  });
+
+  test('a batch succeeds when any video was read', () => {
+    assert.equal(exitCodeFor(['blocked', 'ok', 'no-comments']), 0);
+  });
+
+  test('a batch without a readable video exits with the most serious outcome', () => {
+    assert.equal(exitCodeFor(['no-comments', 'comments-disabled', 'no-comments']), 4);
+    assert.equal(exitCodeFor(['comments-disabled', 'blocked']), 5);
+    assert.equal(exitCodeFor(['no-comments']), 3);
+  });
+
+  test('no finished video is a failure', () => {
+    assert.equal(exitCodeFor([]), 1);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCommentParser, canonicalWatchUrl, extractVideoId } = require('../superthanks');
+
+const parser = createCommentParser();
+
+/** Test names with the invisible separators spelled out. */
+const show = text => JSON.stringify(text).replace(/\u00A0/g, '<NBSP>').replace(/\u202F/g, '<NNBSP>');
+
+describe('normNumber', () => {
+  const cases = [
+    ['2000', 'TRY', 2000],
+    ['3.000', 'TRY', 3000],
+    ['10,000', 'USD', 10000],
+    ['10 000', 'EUR', 10000],
+    ['10\u00A0000', 'EUR', 10000],
+    ['10\u202F000', 'EUR', 10000],
+    ['2.199,99', 'TRY', 2199.99],
+    ['1,234.56', 'USD', 1234.56],
+    ['5.99', 'USD', 5.99],
+    ['1.250', 'KWD', 1.25],
+    ['3.000', 'JPY', 3000],
+    ['1,000', 'USD', 1000],
+    ['1,00,000', 'INR', 100000],
+    ['12,34,567.50', 'INR', 1234567.5],
+    ['2 bin', 'TRY', 2000],
+    ['2,5 bin', 'TRY', 2500],
+    ['5k', 'USD', 5000],
+    ['1.5 lakh', 'INR', 150000]
+  ];
+  for (const [text, currency, expected] of cases) {
+    test(`${show(text)} ${currency} -> ${expected}`, () => {
+      assert.equal(parser.normNumber(text, currency), expected);
+    });
+  }
+});
+
+describe('CURRENCY_RE', () => {
+  /** @param {string} text */
+  const matches = text => text.match(new RegExp(parser.CURRENCY_RE.source, parser.CURRENCY_RE.flags)) || [];
+
+  test('matches symbol-first and code-last amounts', () => {
+    for (const text of ['₺2.199,99', '€ 1.234,56', '$5.99', 'CA$25.00', 'R$ 10,00', '₹1,00,000.00', '¥1,000', 'Rs. 500']) {
+      assert.deepEqual(matches(text), [text], text);
+    }
+    for (const text of ['1.234,56 €', '5 USD', '2 bin TL', '100 TL']) {
+      assert.deepEqual(matches(text), [text], text);
+    }
+  });
+
+  test('finds every amount in running text', () => {
+    assert.deepEqual(matches('sent $5 and then €10, thanks'), ['$5', '€10']);
+  });
+
+  test('ignores numbers without a currency', () => {
+    for (const text of ['2000', 'at 12:30', '5 ft', 'version 3.000', 'top 10 moments', 'rub 5 times', 'cop 10 cars', 'php 8']) {
+      assert.deepEqual(matches(text), [], text);
+    }
+  });
+
+  test('matchAmounts resolves symbols to ISO codes', () => {
+    assert.deepEqual(
+      parser.matchAmounts('₺50,00 and US$5.00 and 2 bin TL').map(m => [m.currency, m.amount]),
+      [['TRY', 50], ['USD', 5], ['TRY', 2000]]
+    );
+  });
+
+  test('flags a lone three-digit group as thousands-or-decimal', () => {
+    const cases = [
+      ['$3.000', 3000, 3], ['€3.000', 3000, 3], ['$1,000', 1000, 1], ['2.000 TL', 2000, 2], ['1.250 KWD', 1.25, 1250]
+    ];
+    for (const [text, amount, other] of cases) {
+      const [m] = parser.matchAmounts(text);
+      assert.equal(m.amount, amount, text);
+      assert.deepEqual(m.ambiguity, { reason: 'thousands-or-decimal', alternatives: [other] }, text);
+    }
+    const [yen] = parser.matchAmounts('¥1,000');
+    assert.deepEqual([yen.amount, yen.ambiguity || null], [1000, null]);
+  });
+});
+
+describe('canonicalWatchUrl', () => {
+  const canonical = 'https://www.youtube.com/watch?v=stFixture01';
+  const inputs = [
+    'https://www.youtube.com/watch?v=stFixture01',
+    'https://www.youtube.com/watch?v=stFixture01&ab_channel=Someone',
+    'https://www.youtube.com/watch?t=30&v=stFixture01&list=PL123',
+    'https://youtu.be/stFixture01?t=30',
+    'https://m.youtube.com/watch?v=stFixture01',
+    'https://www.youtube.com/shorts/stFixture01',
+    'https://www.youtube.com/live/stFixture01?si=abc'
+  ];
+  for (const input of inputs) {
+    test(input, () => {
+      assert.deepEqual(canonicalWatchUrl(input), { videoId: 'stFixture01', url: canonical });
+    });
+  }
+
+  test('rejects URLs without a video ID', () => {
+    assert.equal(extractVideoId('https://www.youtube.com/@channel'), null);
+    assert.equal(extractVideoId('not a url'), null);
+    assert.throws(() => canonicalWatchUrl('https://example.com/watch?v=short'));
+  });
+});
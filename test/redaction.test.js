@@ -0,0 +1,154 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scanOffline, reidentifyResult } = require('../superthanks');
+const { loadFixture, continuationResponse } = require('../fixtures/server');
+
+/**
+ * --redact through the offline scanner: the fixture's continuation pages are
+ * saved as files and scanned with and without redaction.
+ */
+
+let dir = '';
+let pages = '';
+/** @type {import('../superthanks').ScanResult} */
+let plain;
+
+/**
+ * Save every continuation page of a fixture video into a new folder.
+ * @param {Object} video
+ * @param {string} folder
+ * @returns {string} the folder
+ */
+function writePages(video, folder) {
+  fs.mkdirSync(folder);
+  const queue = ['threads:0'];
+  for (let n = 1; queue.length; n++) {
+    const json = continuationResponse(video, queue.shift());
+    JSON.stringify(json, (key, value) => {
+      if (key === 'continuationCommand') queue.push(value.token);
+      return value;
+    });
+    fs.writeFileSync(path.join(folder, `${String(n).padStart(3, '0')}.json`), JSON.stringify(json));
+  }
+  return folder;
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superthanks-redact-'));
+  const video = loadFixture('stFixture01');
+  pages = writePages(video, path.join(dir, 'pages'));
+  plain = await scanOffline(pages, { videoId: 'stFixture01' });
+  assert.equal(plain.findings.length, video.expected.badge.count);
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * @param {'hash'|'drop'} redact
+ * @param {string} name - key file name
+ */
+const scanRedacted = (redact, name) =>
+  scanOffline(pages, { videoId: 'stFixture01', redact, redactKey: path.join(dir, name) });
+
+/** @param {import('../superthanks').ScanResult} result */
+const byAmount = result => result.findings.map(f => [f.currency, f.amount]).sort().join(' ');
+
+describe('--redact hash', () => {
+  test('pseudonymizes every identity and keeps the totals and donors', async () => {
+    const result = await scanRedacted('hash', 'hash.json');
+    assert.deepEqual(result.totals, plain.totals);
+    assert.equal(result.redaction.mode, 'hash');
+    assert.match(result.redaction.keyId, /^[0-9a-f]{12}$/);
+    for (const f of result.findings) {
+      assert.equal(f.redacted, 'hash');
+      assert.match(f.author, /^donor-[0-9a-f]{16}$/);
+      assert.match(f.channelId, /^channel-[0-9a-f]{16}$/);
+      assert.match(f.commentId, /^comment-[0-9a-f]{16}(\.comment-[0-9a-f]{16})?$/);
+      assert.equal(f.permalink, null);
+    }
+    assert.equal(result.analysis.donorCount, plain.analysis.donorCount);
+    const text = JSON.stringify(result);
+    for (const f of plain.findings) {
+      assert.ok(!text.includes(f.author), f.author);
+      assert.ok(!text.includes(f.channelId), f.channelId);
+    }
+  });
+
+  test('gives the same pseudonyms for the same key only', async () => {
+    const first = await scanRedacted('hash', 'hash.json');
+    const again = await scanRedacted('hash', 'hash.json');
+    const other = await scanRedacted('hash', 'other.json');
+    assert.deepEqual(again.findings.map(f => f.author), first.findings.map(f => f.author));
+    assert.notEqual(other.redaction.keyId, first.redaction.keyId);
+    assert.ok(!other.findings.some(f => first.findings.some(g => g.author === f.author)));
+  });
+
+  test('pseudonymizes @handles and the author\'s name in snippets', async () => {
+    const video = loadFixture('stFixture01');
+    const jack = video.comments.find(c => c.id === 'UgxF1c007');
+    Object.assign(jack, { author: 'Jack Lee', text: 'Jack Lee from Toronto, thanks to @alice and @no.one.' });
+    const mentions = writePages(video, path.join(dir, 'mentions'));
+    const key = path.join(dir, 'mentions.json');
+    const result = await scanOffline(mentions, { videoId: 'stFixture01', redact: 'hash', redactKey: key });
+
+    const alice = result.findings.find(f => f.snippet.startsWith('Great video'));
+    const f = result.findings.find(x => x.snippet.includes(' from Toronto'));
+    assert.match(f.snippet, /^donor-[0-9a-f]{16} from Toronto, thanks to donor-[0-9a-f]{16} and donor-[0-9a-f]{16}\.$/);
+    assert.ok(f.snippet.startsWith(f.author));
+    assert.ok(f.snippet.includes(` ${alice.author} `));
+
+    const restored = reidentifyResult(result, key);
+    assert.equal(restored.findings.find(x => x.author === 'Jack Lee').snippet, jack.text);
+  });
+
+  test('re-identifies with the key file and refuses another key', async () => {
+    const result = await scanRedacted('hash', 'hash.json');
+    const restored = reidentifyResult(result, path.join(dir, 'hash.json'));
+    const original = f => [f.commentId, f.author, f.channelId, f.permalink, f.parentId].join('|');
+    assert.deepEqual(restored.findings.map(original).sort(), plain.findings.map(original).sort());
+    assert.equal(restored.redaction, undefined);
+    assert.deepEqual(restored.analysis.topDonors.map(d => d.key), plain.analysis.topDonors.map(d => d.key));
+
+    await scanRedacted('hash', 'other.json');
+    assert.throws(() => reidentifyResult(result, path.join(dir, 'other.json')));
+  });
+});
+
+describe('--redact drop', () => {
+  test('removes names and text but keeps amounts, and re-identifies donors only', async () => {
+    const result = await scanRedacted('drop', 'drop.json');
+    assert.equal(byAmount(result), byAmount(plain));
+    for (const f of result.findings) assert.deepEqual([f.redacted, f.author, f.snippet, f.channelId], ['drop', '', '', null]);
+    assert.equal(result.analysis.donorCount, 0);
+
+    const restored = reidentifyResult(result, path.join(dir, 'drop.json'));
+    assert.deepEqual(restored.findings.map(f => f.author).sort(), plain.findings.map(f => f.author).sort());
+    assert.ok(restored.findings.every(f => f.snippet === ''));
+  });
+});
+
+describe('key file', () => {
+  test('is private from the start, even over a leftover temp file', { skip: process.platform === 'win32' && 'no POSIX modes' }, async t => {
+    const key = path.join(dir, 'private.json');
+    const tmp = `${key}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, 'stale', { mode: 0o644 });
+    // The mode the key has when it appears, not after a later chmod
+    const modes = [];
+    const rename = fs.renameSync;
+    t.after(() => { fs.renameSync = rename; });
+    fs.renameSync = (from, to) => {
+      if (to === key) modes.push(fs.statSync(from).mode & 0o777);
+      return rename(from, to);
+    };
+    await scanRedacted('hash', 'private.json');
+    assert.ok(modes.length > 0);
+    assert.deepEqual(new Set(modes), new Set([0o600]));
+    assert.equal(fs.statSync(key).mode & 0o777, 0o600);
+    assert.ok(!fs.existsSync(tmp));
+    assert.equal(typeof JSON.parse(fs.readFileSync(key, 'utf-8')).salt, 'string');
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  buildReport, reportCsv, reportMarkdown, appendHistory, readHistory, videoHistory
+} = require('../superthanks');
+
+/**
+ * A scan result as written by writeResultJson().
+ * @param {string} videoId
+ * @param {string} generatedAt
+ * @param {Object[]} findings
+ * @param {boolean} [complete]
+ */
+function result(videoId, generatedAt, findings, complete = true) {
+  const totals = {};
+  for (const f of findings) totals[f.currency] = (totals[f.currency] || 0) + f.amount;
+  return {
+    url: `https://www.youtube.com/watch?v=${videoId}`, videoId, generatedAt, totals,
+    coverage: { complete, reason: complete ? 'end-of-list' : 'time-limit' },
+    count: findings.length,
+    findings: findings.map(f => ({
+      type: 'superthanks', snippet: '', source: 'dom', channelId: null, publishedTime: null,
+      permalink: `https://www.youtube.com/watch?v=${videoId}&lc=${f.commentId}`, ...f
+    }))
+  };
+}
+
+/** @param {import('node:test').TestContext} t */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superthanks-report-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * @param {string} dir
+ * @param {string} name
+ * @param {Object} doc
+ */
+function writeJson(dir, name, doc) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(doc));
+}
+
+describe('buildReport', () => {
+  /** @param {string} dir */
+  const writeScans = dir => {
+    writeJson(dir, 'a-1.json', result('videoAAAAAA', '2025-09-10T10:00:00.000Z', [
+      { commentId: 'c1', currency: 'USD', amount: 5, author: '@bob', publishedTime: '2 days ago' },
+      { commentId: 'c2', currency: 'TRY', amount: 300, author: '=HYPERLINK("x")', source: 'json', channelId: 'UCx' }
+    ]));
+    // A later scan of the same video: c2 keeps its chip reading, c3 is new
+    writeJson(dir, 'a-2.json', result('videoAAAAAA', '2025-09-12T10:00:00.000Z', [
+      { commentId: 'c2', currency: 'TRY', amount: 3, author: '=HYPERLINK("x")' },
+      { commentId: 'c3', currency: 'USD', amount: 10, author: '@carol', publishedTime: '2025-09-11' }
+    ]));
+    writeJson(dir, 'b.json', result('videoBBBBBB', '2025-09-11T10:00:00.000Z', [
+      { commentId: 'd1', currency: 'USD', amount: 2, author: '@bob' }
+    ]));
+    writeJson(dir, 'batch.json', { videos: [], totals: {} });
+    writeJson(dir, 'b-videoBBBBBB.checkpoint.json', result('videoBBBBBB', '2025-09-11T09:00:00.000Z', []));
+  };
+
+  test('merges scans, counting each comment once', t => {
+    const dir = tempDir(t);
+    writeScans(dir);
+    const report = buildReport([dir]);
+    assert.equal(report.inputs.length, 3);
+    assert.deepEqual(report.skipped.map(s => [path.basename(s.file), s.reason]), [['batch.json', 'batch aggregate (merge the per-video files instead)']]);
+    assert.deepEqual(report.totals, { TRY: 300, USD: 17 });
+    assert.deepEqual(report.videos.map(v => [v.videoId, v.scans, v.count, v.lastScan]), [
+      ['videoAAAAAA', 2, 3, '2025-09-12T10:00:00.000Z'],
+      ['videoBBBBBB', 1, 1, '2025-09-11T10:00:00.000Z']
+    ]);
+    // "2 days ago" is resolved against the scan that saw it
+    const c1 = report.findings.find(f => f.commentId === 'c1');
+    assert.equal(c1.publishedAt, '2025-09-08T10:00:00.000Z');
+    assert.deepEqual(report.timeline.map(p => [p.period, p.count]), [['2025-09-08', 1], ['2025-09-09', 0], ['2025-09-10', 0], ['2025-09-11', 1]]);
+    assert.equal(report.undated, 2);
+  });
+
+  test('converts with inline rates', t => {
+    const dir = tempDir(t);
+    writeScans(dir);
+    const report = buildReport([dir], { base: 'USD', rates: { TRY: 30 } });
+    assert.equal(report.converted.total, 27);
+    assert.deepEqual(report.videos.map(v => v.convertedTotal), [25, 2]);
+  });
+
+  test('writes CSV with a BOM and defused formulas, and a Markdown summary', t => {
+    const dir = tempDir(t);
+    writeScans(dir);
+    const report = buildReport([dir]);
+    const csv = reportCsv(report);
+    assert.ok(csv.startsWith('\ufeffvideoId,type,currency,amount,author,'));
+    const lines = csv.trim().split('\r\n');
+    assert.equal(lines.length, 1 + report.findings.length);
+    assert.ok(lines.some(l => l.includes(`,"'=HYPERLINK(""x"")",UCx,c2,`)));
+    assert.ok(lines.some(l => l.includes(',@bob,,c1,')));
+
+    const md = reportMarkdown(report);
+    assert.match(md, /^# Super Thanks Report$/m);
+    assert.match(md, /^\| USD \| 3 \| 17 \|$/m);
+    assert.match(md, /\| \[videoAAAAAA\]\(https:\/\/www\.youtube\.com\/watch\?v=videoAAAAAA\) \| 2 \|/);
+  });
+});
+
+describe('history store', () => {
+  test('keeps every scan and diffs the last two of a video', t => {
+    const file = path.join(tempDir(t), 'history', 'scans.jsonl');
+    assert.deepEqual(readHistory(file), []);
+    appendHistory(file, result('videoAAAAAA', '2025-09-12T10:00:00.000Z', [
+      { commentId: 'c2', currency: 'TRY', amount: 300, author: '@x' },
+      { commentId: 'c3', currency: 'USD', amount: 10, author: '@carol' }
+    ], false), 'out/a-2.json');
+    appendHistory(file, result('videoAAAAAA', '2025-09-10T10:00:00.000Z', [
+      { commentId: 'c1', currency: 'USD', amount: 5, author: '@bob' },
+      { commentId: 'c2', currency: 'TRY', amount: 300, author: '@x' }
+    ]), 'out/a-1.json');
+    appendHistory(file, result('videoBBBBBB', '2025-09-11T10:00:00.000Z', []));
+    fs.appendFileSync(file, '{"videoId": "cut short');
+
+    const scans = readHistory(file);
+    assert.deepEqual(scans.map(s => s.scannedAt), ['2025-09-10T10:00:00.000Z', '2025-09-11T10:00:00.000Z', '2025-09-12T10:00:00.000Z']);
+    assert.equal(scans[0].findings[0].key, 'id:c1');
+
+    const history = videoHistory(scans, 'videoAAAAAA');
+    assert.deepEqual(history.timeline.map(s => [s.count, s.file, s.complete]), [[2, 'out/a-1.json', true], [2, 'out/a-2.json', false]]);
+    assert.deepEqual(history.diff.added.map(f => f.key), ['id:c3']);
+    assert.deepEqual(history.diff.removed.map(f => f.key), ['id:c1']);
+    // The later scan stopped early, so c1 may just not have been loaded
+    assert.equal(history.diff.reliable, false);
+    assert.equal(videoHistory(scans, 'videoBBBBBB').diff, null);
+  });
+});
@@ -0,0 +1,151 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createScanServer, parseArgs } = require('../superthanks');
+
+/**
+ * The scan server's REST API and event stream without Chrome: the shared
+ * browser is a stub whose pages fail to open once the test lets them.
+ */
+
+/** @type {ReturnType<typeof createScanServer>} */
+let service;
+let base = '';
+/** @type {() => void} */
+let release = () => {};
+let gate = Promise.resolve();
+
+const browser = {
+  async newPage() {
+    await gate;
+    throw new Error('no browser in this test');
+  }
+};
+
+before(async () => {
+  service = createScanServer({ ...parseArgs(['serve']), concurrency: 1, queue: 1, browser });
+  await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${service.server.address().port}`;
+});
+
+after(() => service.close());
+
+/** @param {Object} body */
+async function post(body) {
+  const res = await fetch(`${base}/scans`, { method: 'POST', body: JSON.stringify(body) });
+  return { status: res.status, headers: res.headers, json: await res.json() };
+}
+
+/** @param {string} path */
+async function get(path) {
+  const res = await fetch(`${base}${path}`);
+  return { status: res.status, json: await res.json() };
+}
+
+/**
+ * Every event of a finished stream.
+ * @param {string} text
+ * @returns {{event: string, data: any}[]}
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.*)$/m);
+    const [, data] = block.match(/^data: (.*)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+describe('POST /scans', () => {
+  test('never reads a rates file a client names', async () => {
+    for (const rates of ['/etc/passwd', '/etc/hostname', '/no/such/file.json']) {
+      const { status, json } = await post({ url: 'https://youtu.be/stFixture01', base: 'USD', rates });
+      assert.equal(status, 400);
+      assert.match(json.error, /^Option "rates" must be an object of rates/);
+    }
+  });
+
+  test('answers bad inline rates without parser text', async () => {
+    const { status, json } = await post({ url: 'https://youtu.be/stFixture01', base: 'USD', rates: { base: 'EUR', rates: { TRY: 40 } } });
+    assert.equal(status, 400);
+    assert.equal(json.error, 'Invalid "base" or "rates": rates must map currency codes to positive numbers and include the base currency.');
+  });
+
+  test('refuses bad URLs, unknown options and wrong types', async () => {
+    assert.match((await post({ url: 'https://example.com/' })).json.error, /^Invalid YouTube URL/);
+    assert.match((await post({ url: 'https://youtu.be/stFixture01', out: '/tmp/x' })).json.error, /^Unknown option "out"/);
+    assert.equal((await post({ url: 'https://youtu.be/stFixture01', seconds: '40' })).json.error, 'Option "seconds" has the wrong type.');
+    assert.match((await post({ url: 'https://youtu.be/stFixture01', collect: 'xml' })).json.error, /^Unknown collect mode "xml"/);
+  });
+});
+
+describe('serve --rates', () => {
+  test('reads the rates file once, at startup', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superthanks-serve-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'rates.json');
+    fs.writeFileSync(file, '{"base": "USD", "rates": {TRY: 40}}');
+    assert.throws(() => createScanServer({ ...parseArgs(['serve', '--rates', file]), browser }), /^Error: Cannot read rates file /);
+    fs.writeFileSync(file, JSON.stringify({ base: 'USD', rates: { EUR: 0.8 } }));
+    assert.throws(() => createScanServer({ ...parseArgs(['serve', '--rates', file, '--base', 'GBP']), browser }), /no rate for base currency GBP/);
+
+    const own = createScanServer({ ...parseArgs(['serve', '--rates', file]), concurrency: 1, queue: 0, browser });
+    t.after(() => own.close());
+    await new Promise(resolve => own.server.listen(0, '127.0.0.1', resolve));
+    fs.rmSync(file);
+    const res = await fetch(`http://127.0.0.1:${own.server.address().port}/scans`, {
+      method: 'POST', body: JSON.stringify({ url: 'https://youtu.be/stFixture01', base: 'EUR' })
+    });
+    const job = await res.json();
+    assert.equal(res.status, 202);
+    assert.deepEqual(job.options.rates, { base: 'USD', rates: { EUR: 0.8 } });
+  });
+});
+
+describe('jobs', () => {
+  test('queue, run, fail and stream their events', async () => {
+    gate = new Promise(resolve => { release = resolve; });
+    const first = await post({ url: 'https://www.youtube.com/shorts/stFixture03?si=x', seconds: 40 });
+    assert.equal(first.status, 202);
+    assert.equal(first.headers.get('location'), `/scans/${first.json.id}`);
+    assert.equal(first.json.url, 'https://www.youtube.com/watch?v=stFixture03');
+    assert.equal(first.json.options.seconds, 40);
+    assert.equal(first.json.options.layout, 'shorts');
+
+    // One running, one waiting, then the queue is full
+    const second = await post({ url: 'https://youtu.be/stFixture01' });
+    assert.equal(second.json.status, 'queued');
+    assert.equal(second.json.position, 1);
+    const full = await post({ url: 'https://youtu.be/stFixture02' });
+    assert.equal(full.status, 503);
+    assert.equal(full.headers.get('retry-after'), '60');
+
+    const listed = await get('/scans');
+    assert.deepEqual(listed.json.jobs.map(j => [j.id, j.status]), [[first.json.id, 'running'], [second.json.id, 'queued']]);
+
+    const stream = fetch(`${base}/scans/${first.json.id}/events`).then(res => res.text());
+    await new Promise(resolve => setTimeout(resolve, 100));
+    release();
+    const events = parseEvents(await stream);
+    assert.deepEqual(events.map(e => e.event), ['snapshot', 'status', 'status', 'failed']);
+    assert.equal(events[0].data.status, 'running');
+    assert.deepEqual(events.slice(1, 3).map(e => e.data.status), ['running', 'failed']);
+    assert.deepEqual(events[3].data, { error: 'no browser in this test' });
+
+    const done = await get(`/scans/${first.json.id}`);
+    assert.equal(done.json.status, 'failed');
+    assert.ok(done.json.finishedAt);
+
+    // A finished job replays its log and closes the stream
+    const replay = parseEvents(await (await fetch(`${base}/scans/${first.json.id}/events`)).text());
+    assert.deepEqual(replay.map(e => e.event), ['snapshot', 'status', 'status', 'failed']);
+  });
+
+  test('answers 404 and 405 outside the API', async () => {
+    assert.equal((await get('/scans/nope')).status, 404);
+    assert.equal((await get('/elsewhere')).status, 404);
+    assert.equal((await fetch(`${base}/scans`, { method: 'DELETE' })).status, 405);
+  });
+});